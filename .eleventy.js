@@ -4,6 +4,14 @@ module.exports = function (eleventyConfig) {
     // Register shortcodes
     require('./src/_includes/shortcodes')(eleventyConfig);
 
+    // Case study cards: every work page with `project` front matter, sorted by project.order
+    eleventyConfig.addCollection('projects', function (collectionApi) {
+        return collectionApi
+            .getFilteredByGlob('src/work/*.html')
+            .filter((item) => item.data.project)
+            .sort((a, b) => a.data.project.order - b.data.project.order);
+    });
+
     // Tells Eleventy to use Nunjucks for files ending in .html
     eleventyConfig.setLiquidOptions({
         dynamicPartials: false,
@@ -17,10 +25,9 @@ module.exports = function (eleventyConfig) {
     // Copy fonts folder
     eleventyConfig.addPassthroughCopy('src/fonts');
 
-    // Copy assets folder (GIFs, MP4s, and other non-optimized assets)
-    // Note: Optimized images are handled by optimize-images.js
+    // Copy assets folder (GIFs and other non-optimized assets)
+    // Note: Optimized images and videos are handled by optimize-images.js and optimize-videos.js
     eleventyConfig.addPassthroughCopy('src/assets/**/*.gif');
-    eleventyConfig.addPassthroughCopy('src/assets/**/*.mp4');
 
     // Watch the compiled CSS file and trigger browser reload when it changes
     eleventyConfig.addWatchTarget('src/styles/project.css');
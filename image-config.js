@@ -0,0 +1,108 @@
+// image-config.js
+// Shared image settings for optimize-images.js and the responsiveImage shortcode
+const path = require('path');
+
+const sourceDir = './src/assets';
+const outputDir = './dist/assets';
+
+// Written by optimize-images.js, read by the responsiveImage shortcode for placeholders
+const manifestPath = './.cache/image-manifest.json';
+
+// Width ladder generated for every image
+// Widths above the source width collapse to the source width (see minimumThreshold below)
+const widths = [480, 768, 1080, 1600, 2400];
+
+// `sizes` presets matching the flex columns in settings/layout.scss ($bp_sm: 1080px, $bp_lg: 1440px)
+// Pass a preset name or a raw sizes string as the 4th argument of responsiveImage
+const sizes = {
+    default: '100vw',
+    'column-1': '(min-width: 1440px) 33vw, (min-width: 1080px) 50vw, 100vw',
+    'column-2': '(min-width: 1080px) 66vw, 100vw',
+    'column-12': '(min-width: 1080px) 50vw, 100vw',
+};
+
+const quality = {
+    avif: 60, // AVIF holds up at much lower quality values than JPEG/WebP
+    jpeg: 85,
+    webp: 85,
+    png: 85,
+};
+
+// Low-quality image placeholder shown behind each responsive image until it loads
+// 'blur': tiny blurred preview inlined as base64, 'color': dominant color only, false: none
+const placeholder = {
+    mode: 'blur',
+    width: 16, // px, for 'blur' previews
+};
+
+// Folders (relative to sourceDir) that opt out of AVIF output, e.g. 'design-code/prjct_pxl'
+const avifExcludedFolders = [];
+
+function isAvifEnabled(src) {
+    const relativeDir = path.dirname(path.relative(sourceDir, src)).split(path.sep).join('/');
+
+    return !avifExcludedFolders.some(
+        (folder) => relativeDir === folder || relativeDir.startsWith(`${folder}/`)
+    );
+}
+
+// Most efficient format first, source-compatible fallback last (PNG keeps transparency)
+function getFormats(src) {
+    const fallback = /\.png$/i.test(src) ? 'png' : 'jpeg';
+
+    return isAvifEnabled(src) ? ['avif', 'webp', fallback] : ['webp', fallback];
+}
+
+function getExtension(format) {
+    return format === 'jpeg' ? 'jpg' : format;
+}
+
+// e.g. leia_wallpaper_1-1080w.webp
+function filenameFormat(id, src, width, format) {
+    const extension = path.extname(src);
+    const name = path.basename(src, extension);
+
+    return `${name}-${width}w.${getExtension(format)}`;
+}
+
+// eleventy-img options for a source file inside sourceDir
+function getImageOptions(imagePath) {
+    const relativeDir = path.dirname(path.relative(sourceDir, imagePath));
+
+    return {
+        widths,
+        // eleventy-img defaults to 1.25, which drops the source width unless it's 25% above
+        // the next smaller ladder width (a 1920px source would top out at 1600w)
+        minimumThreshold: 1,
+        formats: getFormats(imagePath),
+        outputDir: path.join(outputDir, relativeDir),
+        urlPath: path.posix.join('/assets', relativeDir.split(path.sep).join('/'), '/'),
+        filenameFormat,
+        avifOptions: {
+            quality: quality.avif,
+        },
+        jpegOptions: {
+            quality: quality.jpeg,
+            progressive: true,
+        },
+        webpOptions: {
+            quality: quality.webp,
+        },
+        pngOptions: {
+            quality: quality.png,
+        },
+    };
+}
+
+module.exports = {
+    sourceDir,
+    outputDir,
+    manifestPath,
+    widths,
+    sizes,
+    quality,
+    placeholder,
+    avifExcludedFolders,
+    getFormats,
+    getImageOptions,
+};
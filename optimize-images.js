@@ -2,89 +2,215 @@
 const Image = require('@11ty/eleventy-img');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const sharp = require('sharp');
+const { sourceDir, manifestPath, placeholder, getImageOptions } = require('./image-config');
+const {
+    hash,
+    loadManifest,
+    saveManifest,
+    removeUnusedOutputs,
+    formatBytes,
+    runPool,
+    createProgress,
+    findFiles,
+} = require('./optimize-utils');
 
-async function optimizeImages() {
-    const sourceDir = './src/assets';
-    const outputDir = './dist/assets';
-
-    // Find all image files recursively
-    const findImages = (dir, fileList = []) => {
-        const files = fs.readdirSync(dir);
-
-        files.forEach((file) => {
-            const filePath = path.join(dir, file);
-            if (fs.statSync(filePath).isDirectory()) {
-                findImages(filePath, fileList);
-            } else if (/\.(jpg|jpeg|png|webp|avif)$/i.test(file)) {
-                fileList.push(filePath);
-            }
-        });
+// Images encoded at once; override with e.g. `IMAGE_WORKERS=2 npm run optimize:images`
+const workerCount = Number(process.env.IMAGE_WORKERS) || os.cpus().length;
+
+// Hash only the settings that change the encoded output (functions don't serialize)
+function getOptionsHash(options) {
+    const { filenameFormat, ...settings } = options;
+    return hash(JSON.stringify({ ...settings, filenameFormat: filenameFormat.toString() }));
+}
+
+// Any placeholder setting (mode, preview width) changes the stored preview
+const placeholderHash = hash(JSON.stringify(placeholder));
+
+// CSS <image> value for the shortcode's placeholder background, or null when disabled
+async function createPlaceholder(imagePath) {
+    if (placeholder.mode === 'color') {
+        const { dominant } = await sharp(imagePath).stats();
+        const color = `rgb(${dominant.r}, ${dominant.g}, ${dominant.b})`;
+        return `linear-gradient(${color}, ${color})`;
+    }
+
+    if (placeholder.mode === 'blur') {
+        const buffer = await sharp(imagePath)
+            .resize(placeholder.width)
+            .blur()
+            .webp({ quality: 40 })
+            .toBuffer();
+        return `url(data:image/webp;base64,${buffer.toString('base64')})`;
+    }
+
+    return null;
+}
 
-        return fileList;
-    };
+// Per-folder totals. `bytesOut` is the largest rendition in the preferred format,
+// i.e. what a modern browser downloads at full width in place of the source
+function logSummary(results) {
+    const folders = {};
 
-    const images = findImages(sourceDir);
+    results.forEach(({ relativePath, bytesIn, bytesOut }) => {
+        const folder = path.dirname(relativePath);
+        folders[folder] = folders[folder] || { files: 0, bytesIn: 0, bytesOut: 0 };
+        folders[folder].files++;
+        folders[folder].bytesIn += bytesIn;
+        folders[folder].bytesOut += bytesOut;
+    });
+
+    const rows = Object.entries(folders).sort(([a], [b]) => a.localeCompare(b));
+    const total = { files: 0, bytesIn: 0, bytesOut: 0 };
+
+    rows.forEach(([folder, stats]) => {
+        total.files += stats.files;
+        total.bytesIn += stats.bytesIn;
+        total.bytesOut += stats.bytesOut;
+        logSummaryRow(folder, stats);
+    });
+
+    if (rows.length > 1) {
+        logSummaryRow('total', total);
+    }
+}
+
+function logSummaryRow(label, { files, bytesIn, bytesOut }) {
+    const savings = bytesIn > 0 ? Math.round((1 - bytesOut / bytesIn) * 100) : 0;
+    console.log(
+        `  ${label.padEnd(32)} ${String(files).padStart(3)} files  ${formatBytes(bytesIn).padStart(9)} → ${formatBytes(bytesOut).padStart(9)}  (${savings}% saved)`
+    );
+}
+
+async function optimizeImages() {
+    const images = findFiles(sourceDir, /\.(jpg|jpeg|png|webp|avif)$/i);
     console.log(`Found ${images.length} images to optimize...`);
 
-    for (const imagePath of images) {
+    const manifest = loadManifest(manifestPath);
+    const nextManifest = {};
+    const pending = [];
+    const stalePlaceholders = [];
+
+    images.forEach((imagePath) => {
         const relativePath = path.relative(sourceDir, imagePath);
-        const outputPath = path.join(outputDir, path.dirname(relativePath));
-
-        console.log(`Optimizing: ${relativePath}`);
-
-        // Determine if source is PNG to preserve transparency
-        const isPng = /\.png$/i.test(imagePath);
-        const formats = isPng ? ['png', 'webp'] : ['jpeg', 'webp'];
-
-        const metadata = await Image(imagePath, {
-            widths: [1080, null], // 1080w for mobile, null for original size
-            formats: formats,
-            outputDir: outputPath,
-            useCache: false, // Disable cache to ensure all versions are generated
-            filenameFormat: function (id, src, width, format, options) {
-                const extension = path.extname(src);
-                const name = path.basename(src, extension);
-
-                // Generate filenames with width suffix for 1080w, no suffix for original
-                if (width === 1080) {
-                    return `${name}-1080w.${format === 'jpeg' ? 'jpg' : format}`;
-                } else {
-                    // Original size - ensure it's always generated
-                    return `${name}.${format === 'jpeg' ? 'jpg' : format}`;
-                }
-            },
-            jpegOptions: {
-                quality: 85,
-                progressive: true,
-            },
-            webpOptions: {
-                quality: 85,
-            },
-            pngOptions: {
-                quality: 85,
-            },
-        });
+        const options = getImageOptions(imagePath);
+        const contentHash = hash(fs.readFileSync(imagePath));
+        const optionsHash = getOptionsHash(options);
+        const previous = manifest[relativePath];
 
-        // Handle edge case: if image is exactly 1080px wide, copy 1080w as base version
-        for (const format of formats) {
-            const outputs = metadata[format] || [];
-            const has1080 = outputs.find(img => img.width === 1080);
-            const hasBase = outputs.find(img => img.outputPath && !img.outputPath.includes('-1080w'));
-
-            if (has1080 && !hasBase) {
-                // Copy 1080w version as base version
-                const extension = path.extname(imagePath);
-                const name = path.basename(imagePath, extension);
-                const baseFilename = `${name}.${format === 'jpeg' ? 'jpg' : format}`;
-                const basePath = path.join(outputPath, baseFilename);
-                const source1080Path = has1080.outputPath;
-
-                fs.copyFileSync(source1080Path, basePath);
+        // Skip when source and settings are unchanged and every output is still on disk
+        if (
+            previous &&
+            previous.contentHash === contentHash &&
+            previous.optionsHash === optionsHash &&
+            previous.outputs.every((outputPath) => fs.existsSync(outputPath))
+        ) {
+            nextManifest[relativePath] = previous;
+
+            // Placeholder settings changed: regenerate just the preview, not the encodes
+            if (previous.placeholderHash !== placeholderHash) {
+                stalePlaceholders.push({ imagePath, relativePath });
             }
+            return;
         }
+
+        pending.push({ imagePath, relativePath, options, contentHash, optionsHash, previous });
+    });
+
+    const skipped = images.length - pending.length;
+    console.log(
+        `Optimizing ${pending.length} images (${skipped} unchanged) with ${workerCount} workers...`
+    );
+
+    // Let eleventy-img run as many encodes as the pool hands it
+    Image.concurrency = workerCount;
+
+    const results = [];
+    const failures = [];
+    // Pruned once every job has finished, so outputs another source now owns are kept
+    const staleOutputs = [];
+    const reportProgress = createProgress(pending.length);
+
+    await runPool(pending, workerCount, async (job) => {
+        const { imagePath, relativePath, options, contentHash, optionsHash, previous } = job;
+
+        try {
+            const metadata = await Image(imagePath, {
+                ...options,
+                useCache: false, // Filenames don't change with content, so always re-encode here
+            });
+
+            const outputs = Object.values(metadata)
+                .flat()
+                .map((entry) => entry.outputPath);
+
+            // Widths or formats may have changed: drop outputs this run no longer produces
+            if (previous) {
+                staleOutputs.push(
+                    ...previous.outputs.filter((outputPath) => !outputs.includes(outputPath))
+                );
+            }
+
+            nextManifest[relativePath] = {
+                contentHash,
+                optionsHash,
+                outputs,
+                placeholderHash,
+                placeholder: await createPlaceholder(imagePath),
+            };
+
+            const preferred = metadata[options.formats[0]];
+            results.push({
+                relativePath,
+                bytesIn: fs.statSync(imagePath).size,
+                bytesOut: preferred[preferred.length - 1].size,
+            });
+        } catch (err) {
+            // Keep the previous entry so its outputs aren't pruned and the image is retried next run
+            if (previous) {
+                nextManifest[relativePath] = previous;
+            }
+            failures.push({ relativePath, message: err.message });
+        }
+
+        reportProgress(relativePath);
+    });
+
+    for (const { imagePath, relativePath } of stalePlaceholders) {
+        nextManifest[relativePath] = {
+            ...nextManifest[relativePath],
+            placeholderHash,
+            placeholder: await createPlaceholder(imagePath),
+        };
     }
 
-    console.log('Image optimization complete!');
+    // Prune outputs for sources that were deleted since the last run
+    const removed = Object.keys(manifest).filter((relativePath) => !nextManifest[relativePath]);
+    removed.forEach((relativePath) => {
+        console.log(`Removing outputs for deleted source: ${relativePath}`);
+        staleOutputs.push(...manifest[relativePath].outputs);
+    });
+    removeUnusedOutputs(staleOutputs, nextManifest);
+
+    saveManifest(manifestPath, nextManifest);
+
+    if (results.length > 0) {
+        console.log('Savings by folder:');
+        logSummary(results);
+    }
+
+    console.log(
+        `Image optimization complete! (${results.length} optimized, ${skipped} unchanged, ${removed.length} removed, ${failures.length} failed)`
+    );
+
+    if (failures.length > 0) {
+        console.error(`Failed to optimize ${failures.length} image(s):`);
+        failures.forEach(({ relativePath, message }) => {
+            console.error(`  ${relativePath}: ${message}`);
+        });
+        process.exitCode = 1;
+    }
 }
 
 optimizeImages().catch((err) => {
@@ -0,0 +1,108 @@
+// optimize-utils.js
+// Shared helpers for optimize-images.js and optimize-videos.js
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const hash = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Find all files under `dir` (recursively) whose name matches `pattern`
+function findFiles(dir, pattern, fileList = []) {
+    const files = fs.readdirSync(dir);
+
+    files.forEach((file) => {
+        const filePath = path.join(dir, file);
+        if (fs.statSync(filePath).isDirectory()) {
+            findFiles(filePath, pattern, fileList);
+        } else if (pattern.test(file)) {
+            fileList.push(filePath);
+        }
+    });
+
+    return fileList;
+}
+
+// Records what was generated for each source so unchanged files are skipped on the next run
+function loadManifest(manifestPath) {
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (err) {
+        // Missing or unreadable manifest: treat every source as new
+        return {};
+    }
+}
+
+function saveManifest(manifestPath, manifest) {
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+function removeOutputs(outputs) {
+    outputs.forEach((outputPath) => {
+        fs.rmSync(outputPath, { force: true });
+    });
+}
+
+// Remove stale outputs, except paths an entry in `manifest` still lists
+// (a new source can write the same files, e.g. foo.jpg replaced by foo.png)
+function removeUnusedOutputs(outputs, manifest) {
+    const inUse = new Set(Object.values(manifest).flatMap((entry) => entry.outputs));
+    removeOutputs(outputs.filter((outputPath) => !inUse.has(outputPath)));
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Run `task` over `items` with at most `limit` in flight
+async function runPool(items, limit, task) {
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await task(item);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+}
+
+// Single updating line in a terminal, every 10% otherwise (CI logs)
+function createProgress(total) {
+    let done = 0;
+    let lastLoggedPercent = -1;
+
+    return (relativePath) => {
+        done++;
+        const percent = Math.floor((done / total) * 100);
+
+        if (process.stdout.isTTY) {
+            process.stdout.clearLine(0);
+            process.stdout.cursorTo(0);
+            process.stdout.write(`[${done}/${total}] ${relativePath}`);
+            if (done === total) {
+                process.stdout.write('\n');
+            }
+        } else if (percent >= lastLoggedPercent + 10 || done === total) {
+            lastLoggedPercent = percent;
+            console.log(`[${done}/${total}] ${percent}%`);
+        }
+    };
+}
+
+module.exports = {
+    hash,
+    findFiles,
+    loadManifest,
+    saveManifest,
+    removeOutputs,
+    removeUnusedOutputs,
+    formatBytes,
+    runPool,
+    createProgress,
+};
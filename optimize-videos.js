@@ -0,0 +1,255 @@
+// optimize-videos.js
+const path = require('path');
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const videoConfig = require('./video-config');
+const {
+    hash,
+    findFiles,
+    loadManifest,
+    saveManifest,
+    removeUnusedOutputs,
+    formatBytes,
+    runPool,
+    createProgress,
+} = require('./optimize-utils');
+
+const run = promisify(execFile);
+
+const { sourceDir, outputDir, manifestPath } = videoConfig;
+
+// Videos transcoded at once; ffmpeg already uses every core, so default to one
+const workerCount = Number(process.env.VIDEO_WORKERS) || 1;
+
+// Bundled ffmpeg/ffprobe binaries, or system ones via FFMPEG_PATH / FFPROBE_PATH
+function findBinary(envName, packageName) {
+    if (process.env[envName]) {
+        return process.env[envName];
+    }
+    try {
+        return require(packageName).path;
+    } catch (err) {
+        return null;
+    }
+}
+
+const ffmpeg = findBinary('FFMPEG_PATH', '@ffmpeg-installer/ffmpeg');
+const ffprobe = findBinary('FFPROBE_PATH', '@ffprobe-installer/ffprobe');
+
+// Hash only the settings that change the encoded output
+function getOptionsHash() {
+    const { renditions, formats, poster, stripAudio } = videoConfig;
+    return hash(JSON.stringify({ renditions, formats, poster, stripAudio }));
+}
+
+async function probe(videoPath) {
+    const { stdout } = await run(ffprobe, [
+        '-v',
+        'error',
+        '-select_streams',
+        'v:0',
+        '-show_entries',
+        'stream=width,height',
+        '-of',
+        'json',
+        videoPath,
+    ]);
+    const [stream] = JSON.parse(stdout).streams;
+    return { width: stream.width, height: stream.height };
+}
+
+async function transcodeVideo(videoPath) {
+    const source = await probe(videoPath);
+    const renditions = [];
+
+    for (const rendition of videoConfig.getRenditions(source.width)) {
+        // Keep the source aspect ratio with an even height (required by yuv420p)
+        const height = Math.round((source.height * rendition.width) / source.width / 2) * 2;
+
+        for (const { format, type, args } of videoConfig.formats) {
+            const filename = videoConfig.getRenditionName(videoPath, rendition.width, format);
+            const { outputPath, url } = videoConfig.getOutputPaths(videoPath, filename);
+
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            await run(ffmpeg, [
+                '-y',
+                '-v',
+                'error',
+                '-i',
+                videoPath,
+                '-vf',
+                `scale=${rendition.width}:${height}`,
+                ...(videoConfig.stripAudio ? ['-an'] : []),
+                ...args,
+                outputPath,
+            ]);
+
+            renditions.push({
+                width: rendition.width,
+                height,
+                media: rendition.media || null,
+                format,
+                type,
+                url,
+                outputPath,
+                size: fs.statSync(outputPath).size,
+            });
+        }
+    }
+
+    // Poster frame at the largest rendition width
+    const posterWidth = renditions[renditions.length - 1].width;
+    const poster = videoConfig.getOutputPaths(videoPath, videoConfig.getPosterName(videoPath));
+    await run(ffmpeg, [
+        '-y',
+        '-v',
+        'error',
+        '-ss',
+        String(videoConfig.poster.time),
+        '-i',
+        videoPath,
+        '-frames:v',
+        '1',
+        '-vf',
+        `scale=${posterWidth}:-2`,
+        '-q:v',
+        String(videoConfig.poster.quality),
+        poster.outputPath,
+    ]);
+
+    return { ...source, renditions, poster };
+}
+
+// Without ffmpeg, ship the sources untouched so the shortcode's plain <video> fallback still plays
+// (GIFs are already passthrough-copied by Eleventy)
+function copySources(videos) {
+    videos
+        .filter((videoPath) => !/\.gif$/i.test(videoPath))
+        .forEach((videoPath) => {
+            const outputPath = path.join(outputDir, path.relative(sourceDir, videoPath));
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            fs.copyFileSync(videoPath, outputPath);
+        });
+}
+
+async function optimizeVideos() {
+    const videos = findFiles(sourceDir, /\.(mp4|mov|webm|gif)$/i).filter(
+        (videoPath) => !/\.gif$/i.test(videoPath) || videoConfig.isConvertibleGif(videoPath)
+    );
+    console.log(`Found ${videos.length} videos and animated GIFs to optimize...`);
+
+    if (!ffmpeg || !ffprobe) {
+        console.warn('ffmpeg/ffprobe not found: copying source videos without transcoding');
+        copySources(videos);
+        return;
+    }
+
+    const manifest = loadManifest(manifestPath);
+    const nextManifest = {};
+    const optionsHash = getOptionsHash();
+    const pending = [];
+
+    videos.forEach((videoPath) => {
+        const relativePath = path.relative(sourceDir, videoPath);
+        const contentHash = hash(fs.readFileSync(videoPath));
+        const previous = manifest[relativePath];
+
+        // Skip when source and settings are unchanged and every output is still on disk
+        if (
+            previous &&
+            previous.contentHash === contentHash &&
+            previous.optionsHash === optionsHash &&
+            previous.outputs.every((outputPath) => fs.existsSync(outputPath))
+        ) {
+            nextManifest[relativePath] = previous;
+            return;
+        }
+
+        pending.push({ videoPath, relativePath, contentHash, previous });
+    });
+
+    const skipped = videos.length - pending.length;
+    console.log(
+        `Transcoding ${pending.length} videos (${skipped} unchanged) with ${workerCount} workers...`
+    );
+
+    let bytesIn = 0;
+    let bytesOut = 0;
+    const failures = [];
+    // Pruned once every job has finished, so outputs another source now owns are kept
+    const staleOutputs = [];
+    const reportProgress = createProgress(pending.length);
+
+    await runPool(pending, workerCount, async (job) => {
+        const { videoPath, relativePath, contentHash, previous } = job;
+
+        try {
+            const { width, height, renditions, poster } = await transcodeVideo(videoPath);
+            const outputs = [...renditions.map((entry) => entry.outputPath), poster.outputPath];
+
+            // Renditions may have changed: drop outputs this run no longer produces
+            if (previous) {
+                staleOutputs.push(
+                    ...previous.outputs.filter((outputPath) => !outputs.includes(outputPath))
+                );
+            }
+
+            nextManifest[relativePath] = {
+                contentHash,
+                optionsHash,
+                width,
+                height,
+                renditions: renditions.map(({ outputPath, size, ...entry }) => entry),
+                poster: poster.url,
+                outputs,
+            };
+
+            // Compare against the largest rendition in the preferred format
+            bytesIn += fs.statSync(videoPath).size;
+            const preferred = renditions.filter(
+                (entry) => entry.format === videoConfig.formats[0].format
+            );
+            bytesOut += preferred[preferred.length - 1].size;
+        } catch (err) {
+            // Keep the previous entry so its outputs aren't pruned and the video is retried next run
+            if (previous) {
+                nextManifest[relativePath] = previous;
+            }
+            failures.push({ relativePath, message: err.message });
+        }
+
+        reportProgress(relativePath);
+    });
+
+    // Prune outputs for sources that were deleted since the last run
+    const removed = Object.keys(manifest).filter((relativePath) => !nextManifest[relativePath]);
+    removed.forEach((relativePath) => {
+        console.log(`Removing outputs for deleted source: ${relativePath}`);
+        staleOutputs.push(...manifest[relativePath].outputs);
+    });
+    removeUnusedOutputs(staleOutputs, nextManifest);
+
+    saveManifest(manifestPath, nextManifest);
+
+    if (bytesIn > 0) {
+        console.log(`Transcoded ${formatBytes(bytesIn)} → ${formatBytes(bytesOut)}`);
+    }
+
+    console.log(
+        `Video optimization complete! (${pending.length - failures.length} transcoded, ${skipped} unchanged, ${removed.length} removed, ${failures.length} failed)`
+    );
+
+    if (failures.length > 0) {
+        console.error(`Failed to transcode ${failures.length} video(s):`);
+        failures.forEach(({ relativePath, message }) => {
+            console.error(`  ${relativePath}: ${message}`);
+        });
+        process.exitCode = 1;
+    }
+}
+
+optimizeVideos().catch((err) => {
+    console.error('Error optimizing videos:', err);
+    process.exit(1);
+});
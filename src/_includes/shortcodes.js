@@ -1,34 +1,169 @@
 // shortcodes.js
+const fs = require('fs');
 const path = require('path');
+const Image = require('@11ty/eleventy-img');
+const imageConfig = require('../../image-config');
+const videoConfig = require('../../video-config');
+
+// Read output metadata for a source without encoding anything; null if the source can't be read
+function readMetadata(sourcePath, options) {
+    try {
+        return Image.statsSync(sourcePath, options);
+    } catch (error) {
+        console.warn(`[responsiveImage] Could not read ${sourcePath}: ${error.message}`);
+        return null;
+    }
+}
+
+// Intrinsic size attributes so the layout reserves space before the media loads
+function sizeAttributes(entry) {
+    if (!entry) {
+        return '';
+    }
+
+    return ` width="${entry.width}" height="${entry.height}" style="aspect-ratio: ${entry.width} / ${entry.height}"`;
+}
+
+// Optimizer manifests by path, loaded once per build
+let manifests = {};
+
+function readManifest(manifestPath) {
+    if (!manifests[manifestPath]) {
+        try {
+            manifests[manifestPath] = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        } catch (error) {
+            // No manifest yet (the optimizer hasn't run): render without optimized data
+            manifests[manifestPath] = {};
+        }
+    }
+
+    return manifests[manifestPath];
+}
+
+function getPlaceholder(sourcePath) {
+    const manifest = readManifest(imageConfig.manifestPath);
+    const entry = manifest[path.relative(imageConfig.sourceDir, sourcePath)];
+
+    return (entry && entry.placeholder) || null;
+}
+
+function getVideoEntry(sourcePath) {
+    const manifest = readManifest(videoConfig.manifestPath);
+
+    return manifest[path.relative(videoConfig.sourceDir, sourcePath)] || null;
+}
+
+// Muted loop for a transcoded source; `attributes` and `fallback` are raw HTML
+// data-autoplay instead of autoplay: video-controller.js starts playback unless motion is reduced
+function videoMarkup(entry, attributes = '', fallback = '') {
+    // Smaller renditions are limited to their media query, the largest plays everywhere else
+    const largestWidth = entry.renditions[entry.renditions.length - 1].width;
+    const sources = entry.renditions
+        .map((rendition) => {
+            const media = rendition.width === largestWidth ? '' : ` media="${rendition.media}"`;
+            return `<source src="${rendition.url}" type='${rendition.type}'${media}>`;
+        })
+        .join('\n            ');
+
+    return `<video${attributes} data-autoplay loop muted playsinline poster="${entry.poster}"${sizeAttributes(entry)}>
+            ${sources}${fallback ? `\n            ${fallback}` : ''}
+        </video>`;
+}
+
+const videoTypes = {
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mov': 'video/quicktime',
+};
 
 module.exports = function (eleventyConfig) {
+    // Pick up the latest optimizer runs on every (re)build
+    eleventyConfig.on('eleventy.before', () => {
+        manifests = {};
+    });
+
     // Responsive image shortcode
-    eleventyConfig.addShortcode('responsiveImage', function (src, alt, className = '') {
+    // `sizes` is a preset from image-config.js (e.g. "column-2") or a raw sizes attribute value
+    eleventyConfig.addShortcode(
+        'responsiveImage',
+        function (src, alt, className = '', sizes = 'default') {
+            // Remove leading slash if present for path manipulation
+            const cleanSrc = src.startsWith('/') ? src.substring(1) : src;
+
+            // Get file path components
+            const ext = path.extname(cleanSrc);
+            const sourcePath = path.join('src', cleanSrc);
+
+            // GIFs aren't resized: serve the video converted by optimize-videos.js, or the GIF itself
+            if (ext.toLowerCase() === '.gif') {
+                const gifMetadata = readMetadata(sourcePath, {
+                    widths: ['auto'],
+                    formats: ['gif'],
+                });
+                const gif = gifMetadata && gifMetadata.gif[0];
+                const img = `<img class="${className}" src="${src}" alt="${alt}"${sizeAttributes(gif)} loading="lazy" />`;
+
+                const video = getVideoEntry(sourcePath);
+                if (!video) {
+                    return img;
+                }
+
+                // Describe the video like the image it replaces; decorative when alt is empty
+                const label = alt ? ` role="img" aria-label="${alt}"` : ' aria-hidden="true"';
+                const videoClass = [className, 'gifVideo'].filter(Boolean).join(' ');
+                return videoMarkup(video, ` class="${videoClass}"${label}`, img);
+            }
+
+            // Read the widths optimize-images.js will generate for this source (no encoding happens here)
+            const metadata = readMetadata(sourcePath, imageConfig.getImageOptions(sourcePath));
+            if (!metadata) {
+                return `<img class="${className}" src="${src}" alt="${alt}" loading="lazy" />`;
+            }
+
+            const sizesAttr = imageConfig.sizes[sizes] || sizes;
+            const formats = imageConfig.getFormats(sourcePath);
+
+            // Fallback <img> uses the largest file in the last (most compatible) format
+            const fallbackOutputs = metadata[formats[formats.length - 1]];
+            const fallback = fallbackOutputs[fallbackOutputs.length - 1];
+
+            const sources = formats
+                .map((format) => {
+                    const srcset = metadata[format].map((entry) => entry.srcset).join(', ');
+                    return `<source type="${metadata[format][0].sourceType}" srcset="${srcset}" sizes="${sizesAttr}">`;
+                })
+                .join('\n            ');
+
+            // Placeholder sits behind the image and cross-fades out once it loads (see media-assets.scss)
+            const placeholder = getPlaceholder(sourcePath);
+            const pictureAttrs = placeholder ? ` class="lqip" style="--lqip: ${placeholder}"` : '';
+            const onload = placeholder
+                ? ` onload="this.parentNode.classList.add('lqip-loaded')"`
+                : '';
+
+            // Generate picture element with a width-described srcset per format
+            return `<picture${pictureAttrs}>
+            ${sources}
+            <img class="${className}" src="${fallback.url}" alt="${alt}"${sizeAttributes(fallback)} loading="lazy"${onload} />
+        </picture>`;
+        }
+    );
+
+    // Responsive video shortcode
+    // Autoplaying muted loop with per-viewport renditions and a poster from optimize-videos.js
+    eleventyConfig.addShortcode('responsiveVideo', function (src, className = '') {
         // Remove leading slash if present for path manipulation
         const cleanSrc = src.startsWith('/') ? src.substring(1) : src;
+        const sourcePath = path.join('src', cleanSrc);
+        const entry = getVideoEntry(sourcePath);
+        const classAttr = className ? ` class="${className}"` : '';
 
-        // Get file path components
-        const ext = path.extname(cleanSrc);
-        const nameWithoutExt = cleanSrc.substring(0, cleanSrc.length - ext.length);
-
-        // Check if this is a GIF (don't make responsive, just return regular img tag)
-        if (ext.toLowerCase() === '.gif') {
-            return `<img class="${className}" src="${src}" alt="${alt}" loading="lazy" />`;
+        // Not transcoded (no ffmpeg, or a missing source): play the source file as-is
+        if (!entry) {
+            const type = videoTypes[path.extname(cleanSrc).toLowerCase()] || 'video/mp4';
+            return `<video${classAttr} data-autoplay loop muted playsinline><source src="${src}" type="${type}"></video>`;
         }
 
-        // Build paths for different sizes and formats
-        const mobile1080wWebp = `/${nameWithoutExt}-1080w.webp`;
-        const mobile1080wJpg = `/${nameWithoutExt}-1080w.jpg`;
-        const desktopWebp = `/${nameWithoutExt}.webp`;
-        const desktopJpg = `/${nameWithoutExt}.jpg`;
-
-        // Generate picture element with sources for different breakpoints
-        return `<picture>
-            <source media="(max-width: 1079px)" srcset="${mobile1080wWebp}" type="image/webp">
-            <source media="(max-width: 1079px)" srcset="${mobile1080wJpg}" type="image/jpeg">
-            <source media="(min-width: 1080px)" srcset="${desktopWebp}" type="image/webp">
-            <source media="(min-width: 1080px)" srcset="${desktopJpg}" type="image/jpeg">
-            <img class="${className}" src="${desktopJpg}" alt="${alt}" loading="lazy" />
-        </picture>`;
+        return videoMarkup(entry, classAttr);
     });
 };
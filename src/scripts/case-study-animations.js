@@ -42,6 +42,7 @@ const getThemeAwareBackground = (p) => {
 };
 
 // Utility function to create visibility observers for performance
+// Under reduced motion sketches stay on their first frame, even when visible
 const createVisibilityObserver = (sketch, threshold = 0.1) => {
     let isVisible = false;
 
@@ -49,7 +50,7 @@ const createVisibilityObserver = (sketch, threshold = 0.1) => {
         (entries) => {
             entries.forEach((entry) => {
                 isVisible = entry.isIntersecting;
-                if (isVisible && sketch.isLooping() === false) {
+                if (isVisible && sketch.isLooping() === false && !window.motionPreference.reduced) {
                     sketch.loop();
                 } else if (!isVisible && sketch.isLooping() === true) {
                     sketch.noLoop();
@@ -2783,8 +2784,8 @@ function lazyInitializeSketch(containerId, sketchFunction) {
     lazyLoadObserver.observe(container);
 }
 
-// Main initialization function (called on page load and page transitions)
-function initializeCaseStudyAnimations() {
+// Stop and remove every sketch (before re-initializing, and before page transitions replace the DOM)
+function destroyCaseStudyAnimations() {
     // Clean up any existing sketch instances to prevent memory leaks
     activeSketchInstances.forEach((instance) => {
         if (instance && typeof instance.remove === 'function') {
@@ -2799,6 +2800,11 @@ function initializeCaseStudyAnimations() {
         lazyLoadObserver.disconnect();
         lazyLoadObserver = null;
     }
+}
+
+// Main initialization function (called on page load and page transitions)
+function initializeCaseStudyAnimations() {
+    destroyCaseStudyAnimations();
 
     // TIER 1: Initialize hero sketch immediately (above the fold)
     if (document.getElementById('hero-canvas')) {
@@ -2815,9 +2821,6 @@ function initializeCaseStudyAnimations() {
     lazyInitializeSketch('impact-canvas', impactSketch);
 }
 
-// Export to window so page transition system can call it
-window.initializeCaseStudyAnimations = initializeCaseStudyAnimations;
-
 // Initialize on initial page load
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initializeCaseStudyAnimations);
@@ -2825,5 +2828,9 @@ if (document.readyState === 'loading') {
     initializeCaseStudyAnimations();
 }
 
-// Re-initialize when page transitions occur
+// Tear down before page transitions replace the DOM, re-initialize once the new page is in
+document.addEventListener('page:swap', destroyCaseStudyAnimations);
 document.addEventListener('page:loaded', initializeCaseStudyAnimations);
+
+// Re-create sketches when reduced motion is switched on or off (static frame vs. animated)
+document.addEventListener('motion:change', initializeCaseStudyAnimations);
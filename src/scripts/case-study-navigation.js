@@ -215,8 +215,7 @@ class PageNavigation {
 
 let pageNavigationInstance = null;
 
-// Expose global initialization function for page transitions
-window.initializeCaseStudyNavigation = function() {
+function initializeCaseStudyNavigation() {
     // Clean up existing instance if it exists
     if (pageNavigationInstance) {
         pageNavigationInstance.cleanup();
@@ -224,16 +223,21 @@ window.initializeCaseStudyNavigation = function() {
 
     // Create new instance
     pageNavigationInstance = new PageNavigation();
-};
+}
 
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', window.initializeCaseStudyNavigation);
+    document.addEventListener('DOMContentLoaded', initializeCaseStudyNavigation);
 } else {
-    window.initializeCaseStudyNavigation();
+    initializeCaseStudyNavigation();
 }
 
-// Re-initialize on page transitions
-document.addEventListener('page:loaded', () => {
-    window.initializeCaseStudyNavigation();
+// Stop listening before page transitions replace the sections
+document.addEventListener('page:swap', () => {
+    if (pageNavigationInstance) {
+        pageNavigationInstance.cleanup();
+    }
 });
+
+// Re-initialize on page transitions
+document.addEventListener('page:loaded', initializeCaseStudyNavigation);
@@ -0,0 +1,24 @@
+// ============================================
+// MOTION PREFERENCE
+// ============================================
+// Shared prefers-reduced-motion state for every animation module (load it before them)
+// Read window.motionPreference.reduced, and listen for `motion:change` on document
+// (event.detail = { reduced }) to switch between full and reduced motion without a reload
+
+class MotionPreference {
+    constructor() {
+        this.query = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+        this.query.addEventListener('change', (event) => {
+            document.dispatchEvent(
+                new CustomEvent('motion:change', { detail: { reduced: event.matches } })
+            );
+        });
+    }
+
+    get reduced() {
+        return this.query.matches;
+    }
+}
+
+window.motionPreference = new MotionPreference();
@@ -8,6 +8,13 @@ class P5MobileOptimizer {
     constructor() {
         this.deviceInfo = this.detectDevice();
         this.performanceSettings = this.getPerformanceSettings();
+
+        // Follow reduced motion being switched on or off
+        // (runs before case-study-animations.js re-creates its sketches with these settings)
+        document.addEventListener('motion:change', (e) => {
+            this.deviceInfo.prefersReducedMotion = e.detail.reduced;
+            this.performanceSettings = this.getPerformanceSettings();
+        });
     }
 
     // ============================================
@@ -55,8 +62,8 @@ class P5MobileOptimizer {
             }
         }
 
-        // Check if user prefers reduced motion
-        const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        // Check if user prefers reduced motion (kept current by the motion:change listener)
+        const prefersReducedMotion = window.motionPreference.reduced;
 
         // Check if battery saver might be active (low battery)
         let isLowPowerMode = false;
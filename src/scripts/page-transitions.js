@@ -4,37 +4,100 @@
  * Intercepts navigation clicks and adds fade transitions between pages
  * Works with static sites by loading content via fetch and updating the DOM
  * Only nav remains persistent - main content and footer transition together
+ *
+ * Uses the View Transitions API where supported, so elements sharing a
+ * data-transition-name (e.g. a work card image and the case study hero) morph
+ * between pages. Other browsers get the class-based fade.
+ *
+ * Every device gets soft navigation. Reduced-motion users and constrained devices
+ * (data saver, low memory, the low P5MobileOptimizer tier) get lighter effects:
+ * the plain fade, and no prefetching of every link in view. Switching reduced
+ * motion on or off takes effect from the next navigation.
+ *
+ * Navigation lifecycle, dispatched on document with
+ * event.detail = { from, to, isBackForward } (absolute URLs; from page:swap on,
+ * `to` is the final URL after any redirects):
+ *   page:before-leave  A link was followed. preventDefault() cancels the navigation
+ *                      (not cancelable on back/forward: the browser has already moved)
+ *   page:leave         The navigation is committed and the old page starts transitioning out
+ *   page:swap          The old content is about to be replaced - tear down sketches,
+ *                      observers and timers here. detail.newDocument is the incoming
+ *                      page (read-only: it may be served again from the page cache)
+ *   page:enter         The new content is in the DOM and the URL has been updated
+ *   page:loaded        The new page's scripts have run - (re)initialize modules here
  */
 
 class PageTransitions {
     constructor() {
         this.transitionDuration = 200; // milliseconds - must match $transition-fadeIn in CSS
         this.isTransitioning = false;
+        this.updateLiteMode();
+
+        // Fetched pages by URL, most recently used last
+        this.pageCache = new Map();
+        this.cacheSize = 10; // pages
+        this.cacheTTL = 5 * 60 * 1000; // milliseconds
+        this.hoverDelay = 65; // milliseconds - skips links the pointer only passes over
+        this.scrollSaveDelay = 100; // milliseconds
+        this.progressDelay = 300; // milliseconds - fast navigations never show the progress bar
+
+        // External scripts already on the page (the base.html globals), by absolute URL
+        this.loadedScripts = new Set(Array.from(document.scripts, script => script.src).filter(Boolean));
+
+        // The page that's on screen (location has already changed by the time popstate fires)
+        this.currentUrl = window.location.href;
 
         this.init();
     }
 
     init() {
-        // Disable page transitions on mobile for performance
-        const isMobile = /iphone|ipad|ipod|android/i.test(navigator.userAgent.toLowerCase());
-        if (isMobile) {
-            console.log('Mobile detected - page transitions disabled for performance');
-            return;  // Don't set up transitions on mobile
-        }
-
         // Mark content that should transition (main and footer)
         this.prepareTransitionContent();
 
+        // Live region that announces each new page to screen readers
+        this.createRouteAnnouncer();
+
+        // Loading indicator for slow navigations
+        this.createProgressBar();
+
         // Intercept all internal navigation clicks
         this.interceptNavigationClicks();
 
+        // Load pages before they're clicked
+        this.setupPrefetching();
+
+        // Follow reduced motion being switched on or off
+        document.addEventListener('motion:change', () => {
+            this.updateLiteMode();
+            this.updateInViewPrefetching();
+        });
+
         // Handle browser back/forward buttons
         this.handleBrowserNavigation();
 
+        // Remember scroll positions per history entry
+        this.setupScrollRestoration();
+
         // Fade in on initial page load
         this.fadeIn();
     }
 
+    updateLiteMode() {
+        this.isLite = this.prefersLiteTransitions();
+        this.useViewTransitions = !this.isLite && typeof document.startViewTransition === 'function';
+    }
+
+    prefersLiteTransitions() {
+        // Capabilities, not the user agent, decide how much work transitions do
+        const optimizer = window.p5MobileOptimizer;
+        const isLowMemory = navigator.deviceMemory !== undefined && navigator.deviceMemory < 4;
+
+        return window.motionPreference.reduced ||
+            Boolean(navigator.connection?.saveData) ||
+            isLowMemory ||
+            optimizer?.deviceInfo.performanceTier === 'low';
+    }
+
     prepareTransitionContent() {
         const main = document.querySelector('main');
         const footer = document.querySelector('footer');
@@ -47,12 +110,88 @@ class PageTransitions {
         }
     }
 
+    createRouteAnnouncer() {
+        this.announcer = document.createElement('div');
+        this.announcer.className = 'visually-hidden';
+        this.announcer.setAttribute('aria-live', 'polite');
+        this.announcer.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(this.announcer);
+    }
+
+    announce(message) {
+        // Clear first so revisiting a page with the same title is still announced
+        this.announcer.textContent = '';
+        requestAnimationFrame(() => {
+            this.announcer.textContent = message;
+        });
+    }
+
+    createProgressBar() {
+        this.progressBar = document.createElement('div');
+        this.progressBar.className = 'pageProgress';
+        this.progressBar.setAttribute('aria-hidden', 'true');
+        this.progressBar.innerHTML = '<div class="pageProgress-fill"></div>';
+        document.body.appendChild(this.progressBar);
+    }
+
+    startProgress() {
+        clearTimeout(this.progressTimer);
+
+        // Themed like the page we're leaving (data-page-theme is set in base.html)
+        // Until real progress arrives, creep forward slowly (see progress.scss)
+        const theme = document.body.dataset.pageTheme || 'theme-dark';
+        this.progressBar.className = `pageProgress pageProgress-indeterminate ${theme}`;
+        this.progressBar.style.setProperty('--progress', 0);
+
+        this.progressTimer = setTimeout(() => {
+            this.progressBar.classList.add('pageProgress-visible');
+            if (this.progressBar.classList.contains('pageProgress-indeterminate')) {
+                this.setProgress(0.9);
+            }
+        }, this.progressDelay);
+    }
+
+    setProgress(fraction) {
+        // Only full once the page has arrived
+        this.progressBar.style.setProperty('--progress', Math.min(fraction, 0.95));
+    }
+
+    // Called with the fraction of the response body downloaded, when its length is known
+    reportProgress(fraction) {
+        this.progressBar.classList.remove('pageProgress-indeterminate');
+        this.setProgress(fraction);
+    }
+
+    finishProgress(failed = false) {
+        clearTimeout(this.progressTimer);
+
+        // Never shown: nothing to finish
+        if (!this.progressBar.classList.contains('pageProgress-visible')) return;
+
+        this.progressBar.classList.remove('pageProgress-indeterminate');
+        this.progressBar.style.setProperty('--progress', 1);
+
+        // Failures stay up while the browser reloads the page
+        if (failed) {
+            this.progressBar.classList.add('pageProgress-failed');
+            return;
+        }
+
+        this.progressTimer = setTimeout(() => {
+            this.progressBar.classList.remove('pageProgress-visible');
+        }, this.transitionDuration);
+    }
+
     interceptNavigationClicks() {
         document.addEventListener('click', (e) => {
+            // Leave new-tab/window/download clicks (and ones already handled) to the browser
+            if (e.defaultPrevented || e.button !== 0) return;
+            if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
             const link = e.target.closest('a');
 
-            // Check if it's an internal link
-            if (link && this.isInternalLink(link)) {
+            // Check if it's a page on this site we can transition to
+            if (link && this.shouldInterceptLink(link)) {
                 e.preventDefault();
 
                 const url = link.getAttribute('href');
@@ -61,80 +200,426 @@ class PageTransitions {
         });
     }
 
-    isInternalLink(link) {
+    shouldInterceptLink(link) {
         // Don't intercept if:
-        // - Link has target="_blank"
-        // - Link is to external domain
-        // - Link has download attribute
-        // - Link is a hash link
-        if (link.getAttribute('target') === '_blank') return false;
+        // - Link isn't an HTML <a href> (e.g. an SVG link)
+        // - Link opens in another browsing context (target="_blank" etc.)
+        // - Link has download attribute or rel="external"
+        // - Link (or a container) opts out with data-no-transition
+        // - Link is a hash link on this page (the browser scrolls to it)
+        const href = link.getAttribute('href');
+        if (!(link instanceof HTMLAnchorElement) || !href) return false;
+        if (link.target && link.target !== '_self') return false;
         if (link.hasAttribute('download')) return false;
-        if (link.getAttribute('href')?.startsWith('#')) return false;
-        if (link.getAttribute('href')?.startsWith('mailto:')) return false;
-        if (link.getAttribute('href')?.startsWith('tel:')) return false;
+        if (link.relList.contains('external')) return false;
+        if (link.closest('[data-no-transition]')) return false;
+        if (href.startsWith('#')) return false;
 
-        const href = link.getAttribute('href');
-        if (!href) return false;
+        // Only same-origin http(s) URLs (not mailto:, tel:, other domains or ports)
+        const url = new URL(link.href);
+        if (url.origin !== window.location.origin) return false;
 
-        // Check if external domain
-        if (href.startsWith('http://') || href.startsWith('https://')) {
-            return link.hostname === window.location.hostname;
-        }
+        // Only pages: /work, /work/leia/ or /about.html, not .pdf, .mp4 and other assets
+        const extension = url.pathname.match(/\.([a-z0-9]+)$/i);
+        if (extension && !['html', 'htm'].includes(extension[1].toLowerCase())) return false;
 
         return true;
     }
 
-    async navigateToPage(url, skipHistoryUpdate = false) {
-        if (this.isTransitioning) return;
+    setupPrefetching() {
+        // Respect the user's data saver setting
+        if (navigator.connection?.saveData) return;
 
-        // Don't transition if we're already on this page (unless it's from browser navigation)
-        if (url === window.location.pathname && !skipHistoryUpdate) return;
+        // Hover: prefetch once the pointer rests on a link
+        let hoverTimer = null;
+        document.addEventListener('mouseover', (e) => {
+            const link = this.getPrefetchableLink(e.target);
+            if (!link || link.contains(e.relatedTarget)) return;
 
-        this.isTransitioning = true;
+            clearTimeout(hoverTimer);
+            hoverTimer = setTimeout(() => this.prefetch(link.href), this.hoverDelay);
+        });
+        document.addEventListener('mouseout', (e) => {
+            const link = e.target.closest('a');
+            if (link && !link.contains(e.relatedTarget)) {
+                clearTimeout(hoverTimer);
+            }
+        });
 
-        try {
-            // Fade out
-            await this.fadeOut();
+        // Focus and touch: the user is about to activate this link
+        document.addEventListener('focusin', (e) => {
+            const link = this.getPrefetchableLink(e.target);
+            if (link) this.prefetch(link.href);
+        });
+        document.addEventListener('touchstart', (e) => {
+            const link = this.getPrefetchableLink(e.target);
+            if (link) this.prefetch(link.href);
+        }, { passive: true });
 
-            // Scroll to top BEFORE loading new content (old content is invisible)
-            window.scrollTo(0, 0);
+        this.updateInViewPrefetching();
+    }
+
+    updateInViewPrefetching() {
+        // In view: prefetch visible links when the browser is idle (skipped on lite devices)
+        if (this.isLite) {
+            this.linkObserver?.disconnect();
+            this.linkObserver = null;
+            return;
+        }
+
+        if (!this.linkObserver) {
+            this.linkObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.linkObserver.unobserve(entry.target);
+                        this.whenIdle(() => this.prefetch(entry.target.href));
+                    }
+                });
+            });
+        }
+        this.observeLinks();
+    }
+
+    observeLinks() {
+        if (!this.linkObserver) return;
+
+        // Start over with the links on the current page
+        this.linkObserver.disconnect();
+        document.querySelectorAll('a[href]').forEach(link => {
+            if (this.getPrefetchableLink(link)) {
+                this.linkObserver.observe(link);
+            }
+        });
+    }
+
+    getPrefetchableLink(target) {
+        const link = target.closest?.('a');
+
+        // Links (or their containers) can opt out with data-no-prefetch
+        if (!link || !this.shouldInterceptLink(link) || link.closest('[data-no-prefetch]')) return null;
+
+        // Nothing to prefetch for the page we're on
+        if (this.getCacheKey(link.href) === this.getCacheKey(window.location.href)) return null;
+
+        return link;
+    }
 
-            // Fetch new page content
-            const html = await this.fetchPage(url);
+    whenIdle(callback) {
+        if ('requestIdleCallback' in window) {
+            requestIdleCallback(callback, { timeout: 2000 });
+        } else {
+            setTimeout(callback, 200);
+        }
+    }
+
+    prefetch(url) {
+        // Failed prefetches are dropped from the cache and retried on click
+        this.getPage(url).catch(() => {});
+    }
+
+    // `scrollY` is the position saved in history.state when going back/forward
+    async navigateToPage(url, skipHistoryUpdate = false, scrollY = null) {
+        // Don't transition if we're already on this page (unless it's from browser navigation,
+        // or a transition away from it is in flight and this navigation should undo it)
+        const isCurrentPage = this.getCacheKey(url) === this.getCacheKey(this.currentUrl);
+        if (isCurrentPage && !skipHistoryUpdate && !this.navigationController) {
+            // Links to a fragment on this page only scroll
+            if (new URL(url, window.location.href).hash) {
+                this.saveScrollPosition();
+                window.history.pushState({ path: url }, '', url);
+                this.currentUrl = window.location.href;
+                this.restoreScroll(url);
+            }
+            return;
+        }
 
-            // Update the page (new content loads at top position)
-            this.updatePage(html, url, skipHistoryUpdate);
+        const controller = new AbortController();
+        const navigation = {
+            from: this.currentUrl,
+            to: new URL(url, window.location.href).href,
+            isBackForward: skipHistoryUpdate,
+            scrollY,
+            signal: controller.signal,
+        };
+
+        // Let listeners cancel link navigations
+        if (!this.dispatchLifecycleEvent('page:before-leave', navigation, !skipHistoryUpdate)) return;
+
+        // The newest navigation wins: cancel the one in flight (and its fetch)
+        if (this.navigationController) {
+            this.navigationController.abort();
+        }
+        this.navigationController = controller;
+
+        // Store where we are on the page we're leaving
+        // (on back/forward the browser has already switched entries; mid-transition there's no
+        // settled position to keep)
+        if (!skipHistoryUpdate && !this.isTransitioning) {
+            this.saveScrollPosition();
+        }
+        this.isTransitioning = true;
+        this.startProgress();
+
+        try {
+            // Start fetching (or reuse a prefetched page) right away
+            const page = this.getPage(url, controller.signal, (fraction) => {
+                if (!controller.signal.aborted) this.reportProgress(fraction);
+            });
+
+            // The bar completes as soon as the page arrives, not after the transition
+            page.then(() => {
+                if (!controller.signal.aborted) this.finishProgress();
+            }, () => {});
+
+            this.dispatchLifecycleEvent('page:leave', navigation);
+
+            if (this.useViewTransitions) {
+                await this.runViewTransition(page, navigation);
+            } else {
+                await this.runFadeTransition(page, navigation);
+            }
 
-            // Fade in
-            await this.fadeIn();
+            // Record where the new page landed
+            this.saveScrollPosition();
 
         } catch (error) {
+            // Superseded by a newer navigation, which takes over from here
+            if (controller.signal.aborted) return;
+
             console.error('Page transition failed:', error);
+            this.finishProgress(true);
+
             // Fallback to regular navigation
             window.location.href = url;
         } finally {
-            this.isTransitioning = false;
+            if (this.navigationController === controller) {
+                this.navigationController = null;
+                this.isTransitioning = false;
+                this.reconcileLocation();
+            }
         }
     }
 
-    async fetchPage(url) {
-        const response = await fetch(url);
+    reconcileLocation() {
+        // If history moved on without us (e.g. a popstate raced the swap), show what the URL says
+        if (this.getCacheKey(window.location.href) !== this.getCacheKey(this.currentUrl)) {
+            const { pathname, search, hash } = window.location;
+            this.navigateToPage(pathname + search + hash, true, window.history.state?.scrollY ?? null);
+        }
+    }
 
-        if (!response.ok) {
-            throw new Error(`Failed to fetch page: ${response.status}`);
+    async runFadeTransition(page, navigation) {
+        // Fade out while the page loads
+        await this.fadeOut();
+        navigation.signal.throwIfAborted();
+
+        // Scroll to top BEFORE loading new content (old content is invisible)
+        window.scrollTo(0, 0);
+
+        // Wait for the new page content
+        const newDoc = this.resolvePage(await page, navigation);
+
+        // Update the page (new content loads at its restored position)
+        await this.updatePage(newDoc, navigation);
+        this.reinitializeScripts(navigation);
+
+        // Fade in
+        await this.fadeIn(navigation.signal);
+    }
+
+    async runViewTransition(page, navigation) {
+        // The old page stays on screen until the new one is ready to swap in
+        const newDoc = this.resolvePage(await page, navigation);
+        navigation.signal.throwIfAborted();
+
+        // Only morph elements that exist on both pages
+        const newNames = new Set(
+            Array.from(newDoc.querySelectorAll('[data-transition-name]'), el => el.dataset.transitionName)
+        );
+        const sharedNames = Array.from(document.querySelectorAll('[data-transition-name]'))
+            .map(el => el.dataset.transitionName)
+            .filter(name => newNames.has(name));
+
+        this.setTransitionNames(sharedNames);
+
+        const transition = document.startViewTransition(async () => {
+            await this.updatePage(newDoc, navigation);
+
+            // Name the new elements before modules initialize, so scroll animations leave them alone
+            this.setTransitionNames(sharedNames);
+            this.showNamedImages();
+            this.reinitializeScripts(navigation);
+        });
+
+        // Skipped transitions (e.g. a hidden tab) still swap the page - nothing to report
+        transition.ready.catch(() => {});
+
+        try {
+            await transition.finished;
+        } finally {
+            this.setTransitionNames([]);
+            document.querySelectorAll('.lqip-instant').forEach(picture => picture.classList.remove('lqip-instant'));
+        }
+    }
+
+    showNamedImages() {
+        // The new page is captured when the update callback returns: already-loaded images
+        // skip their placeholder cross-fade, so the morph doesn't end on the blurred preview
+        document.querySelectorAll('[data-transition-name] .lqip').forEach(picture => {
+            const img = picture.querySelector('img');
+            if (!picture.closest('[data-transition-name]').style.viewTransitionName || !img?.complete) return;
+
+            picture.classList.add('lqip-instant', 'lqip-loaded');
+        });
+    }
+
+    // Points the navigation at the URL the page was actually served from, and returns its document
+    resolvePage({ doc, url }, navigation) {
+        const finalUrl = new URL(url);
+
+        // Redirects keep the requested fragment unless they set their own
+        if (!finalUrl.hash) {
+            finalUrl.hash = new URL(navigation.to).hash;
         }
 
-        return await response.text();
+        navigation.to = finalUrl.href;
+        return doc;
+    }
+
+    setTransitionNames(names) {
+        // view-transition-name must be unique per page, so only the first on-screen match is named
+        document.querySelectorAll('[data-transition-name]').forEach(el => {
+            el.style.viewTransitionName = '';
+        });
+
+        names.forEach(name => {
+            const el = Array.from(document.querySelectorAll('[data-transition-name]')).find(candidate => {
+                const rect = candidate.getBoundingClientRect();
+                return candidate.dataset.transitionName === name &&
+                    rect.bottom > 0 && rect.top < window.innerHeight;
+            });
+
+            if (el) {
+                el.style.viewTransitionName = name;
+            }
+        });
     }
 
-    updatePage(html, url, skipHistoryUpdate = false) {
+    // Resolves to { doc, url }: the parsed page and the URL it was served from (after redirects)
+    async fetchPage(url, signal, onProgress) {
+        const response = await fetch(url, { signal });
+
+        // 404s render the site's own not-found page in place; other errors reload
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Failed to fetch page: ${response.status}`);
+        }
+
+        // Not a page (e.g. a file served from an extensionless URL): let the browser handle it
+        const contentType = response.headers.get('content-type') || '';
+        if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+            throw new Error(`Not an HTML page: ${contentType || 'unknown content type'}`);
+        }
+
         // Parse the new HTML
+        const html = await this.readBody(response, onProgress);
         const parser = new DOMParser();
-        const newDoc = parser.parseFromString(html, 'text/html');
+        const doc = parser.parseFromString(html, 'text/html');
+
+        // Not one of this site's pages (e.g. the host's generic error page): nothing to swap in
+        if (!doc.querySelector('main')) {
+            throw new Error('Page has no <main> to swap in');
+        }
+
+        return {
+            doc,
+            url: response.url || new URL(url, window.location.href).href,
+        };
+    }
+
+    async readBody(response, onProgress) {
+        // Progress needs a known length and a readable stream. Compressed responses
+        // report the encoded length but stream decoded bytes, so they stay indeterminate
+        const total = Number(response.headers.get('content-length'));
+        const isEncoded = Boolean(response.headers.get('content-encoding'));
+        if (!onProgress || !total || isEncoded || !response.body) {
+            return response.text();
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            chunks.push(value);
+            loaded += value.length;
+            onProgress(loaded / total);
+        }
+
+        return new Blob(chunks).text();
+    }
+
+    getCacheKey(url) {
+        // Hash links share the page they point into
+        const { pathname, search } = new URL(url, window.location.href);
+        return pathname + search;
+    }
+
+    // `signal` aborts the request and `onProgress` follows its download, if it isn't already cached
+    getPage(url, signal, onProgress) {
+        const key = this.getCacheKey(url);
+        const cached = this.pageCache.get(key);
+
+        // Cached pages are only read from (updatePage copies what it needs), so they can be reused
+        // Skip requests a superseded navigation has just aborted (they reject asynchronously)
+        if (cached && !cached.signal?.aborted && Date.now() - cached.timestamp < this.cacheTTL) {
+            // Mark as most recently used
+            this.pageCache.delete(key);
+            this.pageCache.set(key, cached);
+            return cached.page;
+        }
+
+        // Cache the pending request so a click during a prefetch doesn't fetch again
+        const entry = { page: this.fetchPage(url, signal, onProgress), signal, timestamp: Date.now() };
+        this.pageCache.delete(key);
+        this.pageCache.set(key, entry);
+
+        entry.page.catch(() => {
+            if (this.pageCache.get(key) === entry) {
+                this.pageCache.delete(key);
+            }
+        });
+
+        // Evict the least recently used page
+        if (this.pageCache.size > this.cacheSize) {
+            this.pageCache.delete(this.pageCache.keys().next().value);
+        }
+
+        return entry.page;
+    }
+
+    async updatePage(newDoc, navigation) {
+        const { to, isBackForward, scrollY, signal } = navigation;
+        signal.throwIfAborted();
+
+        // Last chance for the old page to clean up
+        this.dispatchLifecycleEvent('page:swap', { ...navigation, newDocument: newDoc });
 
         // Update the title
         document.title = newDoc.title;
 
+        // Update meta tags, canonical, stylesheets and scripts in <head>
+        await this.updateHead(newDoc);
+
+        // Nothing below awaits until the content, URL and focus are all updated
+        signal.throwIfAborted();
+
+        // Update <html lang> and body classes (e.g. theme-dark)
+        this.syncAttributes(document.documentElement, newDoc.documentElement);
+        this.syncAttributes(document.body, newDoc.body);
+
         // Update the main content
         const newMain = newDoc.querySelector('main');
         const currentMain = document.querySelector('main');
@@ -152,15 +637,145 @@ class PageTransitions {
         }
 
         // Update navigation active states
-        this.updateNavigationState(url);
+        this.updateNavigationState(new URL(to).pathname);
 
         // Update browser history (only if not from browser navigation)
-        if (!skipHistoryUpdate) {
-            window.history.pushState({ path: url }, '', url);
+        // Back/forward to a URL that now redirects: correct the entry in place
+        if (!isBackForward) {
+            window.history.pushState({ path: to }, '', to);
+        } else if (to !== window.location.href) {
+            window.history.replaceState({ ...window.history.state, path: to }, '', to);
+        }
+        this.currentUrl = to;
+
+        // Jump to the saved position, fragment target or top of the new content
+        this.restoreScroll(to, scrollY);
+
+        // The clicked link is gone: move focus into the new content and say where we are
+        this.focusNewContent(to);
+        this.announce(document.title);
+
+        this.dispatchLifecycleEvent('page:enter', navigation);
+
+        // Watch the new page's links for prefetching (after the URL has changed)
+        this.observeLinks();
+
+        // Run the new content's scripts (innerHTML doesn't execute them)
+        await this.runScripts([currentMain, currentFooter]);
+
+        // A newer navigation has already replaced this content: don't initialize modules for it
+        signal.throwIfAborted();
+    }
+
+    async updateHead(newDoc) {
+        // Elements are matched by their markup, so a changed meta or canonical is replaced
+        // (the title is already handled by document.title)
+        const isTracked = (el) => el.tagName !== 'TITLE';
+        const currentElements = Array.from(document.head.children).filter(isTracked);
+        const newElements = Array.from(newDoc.head.children).filter(isTracked);
+
+        const currentMarkup = new Set(currentElements.map(el => el.outerHTML));
+        const newMarkup = new Set(newElements.map(el => el.outerHTML));
+
+        // Add elements that only the new page has
+        const stylesheetsLoading = [];
+        newElements.forEach(el => {
+            if (currentMarkup.has(el.outerHTML)) return;
+
+            const element = this.createHeadElement(el);
+            if (!element) return;
+
+            if (element.matches('link[rel="stylesheet"]')) {
+                stylesheetsLoading.push(new Promise((resolve) => {
+                    element.addEventListener('load', resolve);
+                    element.addEventListener('error', resolve);
+                }));
+            }
+            document.head.appendChild(element);
+        });
+
+        // Wait for new stylesheets before removing old ones so content never renders unstyled
+        await Promise.all(stylesheetsLoading);
+
+        // Remove elements the new page doesn't have
+        // Scripts are kept: they've already run, and removing them wouldn't undo that
+        currentElements.forEach(el => {
+            if (!newMarkup.has(el.outerHTML) && el.tagName !== 'SCRIPT') {
+                el.remove();
+            }
+        });
+    }
+
+    createHeadElement(el) {
+        if (el.tagName === 'SCRIPT') {
+            return this.createScript(el);
+        }
+
+        return document.importNode(el, true);
+    }
+
+    createScript(el) {
+        // Scripts from DOMParser or innerHTML are inert - recreate them so the browser runs them
+        // Returns null for external scripts that are already loaded, so each runs exactly once
+        const src = el.getAttribute('src');
+        if (src) {
+            const url = new URL(src, window.location.href).href;
+            if (this.loadedScripts.has(url)) return null;
+            this.loadedScripts.add(url);
+        }
+
+        const script = document.createElement('script');
+        Array.from(el.attributes).forEach(attr => {
+            script.setAttribute(attr.name, attr.value);
+        });
+        script.textContent = el.textContent;
+        return script;
+    }
+
+    isExecutableScript(el) {
+        // Leave data blocks (e.g. application/ld+json) and legacy nomodule fallbacks alone
+        const type = (el.getAttribute('type') || '').trim().toLowerCase();
+        return ['', 'text/javascript', 'application/javascript', 'module'].includes(type) &&
+            !el.hasAttribute('nomodule');
+    }
+
+    async runScripts(containers) {
+        const scripts = containers
+            .filter(Boolean)
+            .flatMap(container => Array.from(container.querySelectorAll('script')));
+
+        // One at a time in document order, so inline scripts can rely on external ones above them
+        for (const el of scripts) {
+            if (!this.isExecutableScript(el)) continue;
+
+            const script = this.createScript(el);
+            if (!script) continue;
+
+            const loaded = script.src
+                ? new Promise((resolve) => {
+                    script.addEventListener('load', resolve);
+                    script.addEventListener('error', resolve);
+                })
+                : null;
+
+            el.replaceWith(script);
+            await loaded;
         }
+    }
+
+    syncAttributes(target, source) {
+        // Remove attributes the new page doesn't have, then add or update the rest
+        Array.from(target.attributes).forEach(attr => {
+            if (!source.hasAttribute(attr.name)) {
+                target.removeAttribute(attr.name);
+            }
+        });
 
-        // Re-initialize any scripts that need to run on the new content
-        this.reinitializeScripts();
+        Array.from(source.attributes).forEach(attr => {
+            if (target.getAttribute(attr.name) !== attr.value) {
+                target.setAttribute(attr.name, attr.value);
+            }
+        });
     }
 
     updateNavigationState(currentPath) {
@@ -175,32 +790,108 @@ class PageTransitions {
         });
     }
 
-    reinitializeScripts() {
-        // Trigger a custom event that other scripts can listen to
-        const event = new CustomEvent('page:loaded');
-        document.dispatchEvent(event);
-
-        // Re-run any case study animations if they exist
-        if (window.initializeCaseStudyAnimations) {
-            window.initializeCaseStudyAnimations();
-        }
+    // Re-initialize any scripts that need to run on the new content
+    reinitializeScripts(navigation) {
+        // Modules listen for this instead of being called by name
+        this.dispatchLifecycleEvent('page:loaded', navigation);
+    }
 
-        // Re-run case study navigation if it exists
-        if (window.initializeCaseStudyNavigation) {
-            window.initializeCaseStudyNavigation();
-        }
+    // Returns false if a listener cancelled the event
+    dispatchLifecycleEvent(name, navigation, cancelable = false) {
+        const { scrollY, signal, ...detail } = navigation;
+        const event = new CustomEvent(name, { detail, cancelable });
+        return document.dispatchEvent(event);
     }
 
     handleBrowserNavigation() {
-        window.addEventListener('popstate', () => {
+        window.addEventListener('popstate', (e) => {
+            // A pending save belongs to the entry we just left
+            clearTimeout(this.scrollSaveTimer);
+
             // Get the URL from the current location (browser has already updated it)
-            const url = window.location.pathname;
+            const { pathname, search, hash } = window.location;
+            const url = pathname + search + hash;
+            const scrollY = e.state?.scrollY ?? null;
+
+            // Same page, different fragment: nothing to load
+            // (unless a transition away from it is in flight - navigating cancels that one)
+            const isCurrentPage = this.getCacheKey(url) === this.getCacheKey(this.currentUrl);
+            if (isCurrentPage && !this.navigationController) {
+                this.currentUrl = window.location.href;
+                this.restoreScroll(url, scrollY);
+                return;
+            }
 
             // Navigate to the page, but skip updating history since browser already did it
-            this.navigateToPage(url, true);
+            this.navigateToPage(url, true, scrollY);
         });
     }
 
+    setupScrollRestoration() {
+        // Positions are restored once the new content is in place, not by the browser
+        window.history.scrollRestoration = 'manual';
+
+        // Manual restoration covers hard loads too (reload, full-page back into the site)
+        const savedScrollY = window.history.state?.scrollY;
+        if (typeof savedScrollY === 'number') {
+            window.scrollTo(0, savedScrollY);
+        }
+
+        this.saveScrollPosition();
+
+        window.addEventListener('scroll', () => {
+            clearTimeout(this.scrollSaveTimer);
+            this.scrollSaveTimer = setTimeout(() => {
+                // Mid-transition positions belong to neither page
+                if (!this.isTransitioning) {
+                    this.saveScrollPosition();
+                }
+            }, this.scrollSaveDelay);
+        }, { passive: true });
+    }
+
+    saveScrollPosition() {
+        clearTimeout(this.scrollSaveTimer);
+        window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '');
+    }
+
+    restoreScroll(url, scrollY = null) {
+        if (scrollY !== null) {
+            window.scrollTo(0, scrollY);
+            return;
+        }
+
+        // Fragment URLs scroll to their target, everything else starts at the top
+        const target = this.getFragmentTarget(url);
+
+        if (target) {
+            target.scrollIntoView();
+        } else {
+            window.scrollTo(0, 0);
+        }
+    }
+
+    getFragmentTarget(url) {
+        const { hash } = new URL(url, window.location.href);
+        return hash ? document.getElementById(decodeURIComponent(hash.slice(1))) : null;
+    }
+
+    focusNewContent(url) {
+        // The fragment target, else the page heading, else main
+        const target = this.getFragmentTarget(url) ||
+            document.querySelector('main h1') ||
+            document.querySelector('main');
+        if (!target) return;
+
+        // Headings and main aren't focusable by default (the outline is removed in tags.scss)
+        if (!target.matches('a[href], button, input, select, textarea, [tabindex]')) {
+            target.setAttribute('tabindex', '-1');
+        }
+
+        // Scroll position is already restored
+        target.focus({ preventScroll: true });
+    }
+
     fadeOut() {
         return new Promise((resolve) => {
             const main = document.querySelector('main');
@@ -217,13 +908,19 @@ class PageTransitions {
         });
     }
 
-    fadeIn() {
+    fadeIn(signal) {
         return new Promise((resolve) => {
             const main = document.querySelector('main');
             const footer = document.querySelector('footer');
 
             // Small delay to ensure content is rendered
             setTimeout(() => {
+                // A newer navigation has started fading out again: leave the content hidden
+                if (signal?.aborted) {
+                    resolve();
+                    return;
+                }
+
                 if (main) {
                     main.classList.remove('page-transitioning-out');
                     main.classList.add('page-transitioning-in');
@@ -3,6 +3,20 @@
  *
  * Animates elements into view as they become visible in the viewport
  * Uses IntersectionObserver for performance
+ *
+ * Any element can opt in with data attributes:
+ *   data-animate="fade-up|slide-left|scale|mask-reveal"  (fade-up is the default)
+ *   data-animate-delay="200"      milliseconds, or any CSS time ("0.2s")
+ *   data-animate-duration="600"   milliseconds, or any CSS time
+ *   data-animate-threshold="0.5"  fraction of the element visible before it animates
+ * Elements in the built-in selector list below animate with the defaults.
+ *
+ * Groups (.flex-container, or any element with data-animate-group) reveal their
+ * animated children one after another, in reading order, once the group is in view:
+ *   data-animate-stagger="100"    delay between children, milliseconds or any CSS time
+ *   data-animate-easing="ease-in-out"  timing function for the children
+ *   data-animate-threshold        read from the group instead of its children
+ * Direct children of [data-animate-group] animate even without data-animate.
  */
 
 class ScrollAnimations {
@@ -14,6 +28,18 @@ class ScrollAnimations {
             threshold: 0.01 // Trigger when just 1% of element is visible
         };
 
+        // Variants styled in motion.scss (.scroll-animate-{variant})
+        this.variants = ['fade-up', 'slide-left', 'scale', 'mask-reveal'];
+        this.defaultVariant = 'fade-up';
+
+        // One observer per threshold in use
+        this.observers = new Map();
+
+        // Containers whose children reveal in sequence, mapped to those children
+        this.groupSelector = '.flex-container, [data-animate-group]';
+        this.groups = new Map();
+        this.defaultStagger = 100; // ms, matches $transition-stagger
+
         this.init();
     }
 
@@ -21,10 +47,16 @@ class ScrollAnimations {
         // Find all elements that should animate on scroll
         this.findAnimatableElements();
 
-        // Set up the Intersection Observer
-        this.setupObserver();
+        // Collect elements that reveal as part of a group
+        this.findGroups();
+
+        // Reduced motion: everything is shown in place
+        if (window.motionPreference.reduced) {
+            this.showAll();
+            return;
+        }
 
-        // Observe all elements
+        // Observe all elements (observers are created per threshold)
         this.observeElements();
     }
 
@@ -47,41 +79,151 @@ class ScrollAnimations {
         ].join(', ');
 
         // Query all at once and filter, preserving DOM order
-        const allElements = document.querySelectorAll(selector);
+        // Authored [data-animate] elements join the default preset
+        const allElements = document.querySelectorAll(`[data-animate], [data-animate-group] > *, ${selector}`);
         this.animatedElements = [];
 
+        // Elements morphing in a view transition (named by page-transitions.js) must be visible
+        // when the new page is captured, so nothing inside or around them starts hidden
+        const morphing = Array.from(document.querySelectorAll('[data-transition-name]'))
+            .filter(named => named.style.viewTransitionName);
+        const isMorphing = el => morphing.some(named => named.contains(el) || el.contains(named));
+
         allElements.forEach(el => {
-            // Skip footer elements and avoid duplicates
-            if (!el.closest('footer') && !this.animatedElements.includes(el)) {
+            // Skip footer elements, morphing elements, and duplicates
+            if (!el.closest('footer') && !isMorphing(el) && !this.animatedElements.includes(el)) {
                 this.animatedElements.push(el);
-                el.classList.add('scroll-animate');
+                this.applyAnimationOptions(el);
+            }
+        });
+    }
+
+    applyAnimationOptions(el) {
+        const { animate, animateDelay, animateDuration } = el.dataset;
+
+        // Unknown variants fall back to the default
+        const variant = this.variants.includes(animate) ? animate : this.defaultVariant;
+        el.classList.add('scroll-animate', `scroll-animate-${variant}`);
+
+        // Inline values win over the nth-child stagger in motion.scss
+        if (animateDelay) {
+            el.style.transitionDelay = this.toCssTime(animateDelay);
+        }
+        if (animateDuration) {
+            el.style.transitionDuration = this.toCssTime(animateDuration);
+        }
+    }
+
+    toCssTime(value) {
+        // Bare numbers are milliseconds
+        return /^\d+(\.\d+)?$/.test(value.trim()) ? `${value.trim()}ms` : value;
+    }
+
+    toMilliseconds(value) {
+        const number = parseFloat(value);
+        return /\ds$/.test(value.trim()) ? number * 1000 : number;
+    }
+
+    findGroups() {
+        this.groups = new Map();
+
+        this.animatedElements.forEach(el => {
+            // Nearest group above the element (an element is never its own group)
+            const group = el.parentElement && el.parentElement.closest(this.groupSelector);
+            if (!group) return;
+
+            if (!this.groups.has(group)) {
+                this.groups.set(group, []);
+            }
+            this.groups.get(group).push(el);
+        });
+    }
+
+    // Top to bottom, then left to right for elements sharing a row
+    compareReadingOrder(a, b) {
+        const rectA = a.getBoundingClientRect();
+        const rectB = b.getBoundingClientRect();
+        const rowDelta = rectA.top - rectB.top;
+
+        return Math.abs(rowDelta) > 1 ? rowDelta : rectA.left - rectB.left;
+    }
+
+    // Reveal a group's children in sequence, starting at `startDelay` (ms); returns where the sequence ended
+    revealGroup(group, startDelay = 0) {
+        const { animateStagger, animateEasing } = group.dataset;
+        const stagger = animateStagger ? this.toMilliseconds(animateStagger) : NaN;
+        const step = stagger >= 0 ? stagger : this.defaultStagger;
+        const members = this.groups.get(group).sort(this.compareReadingOrder);
+        let delay = startDelay;
+
+        members.forEach(member => {
+            // An authored delay on a child wins over its place in the sequence
+            if (!member.dataset.animateDelay) {
+                member.style.transitionDelay = `${delay}ms`;
             }
+            if (animateEasing) {
+                member.style.transitionTimingFunction = animateEasing;
+            }
+
+            member.classList.add('scroll-animate-visible');
+            delay += step;
         });
+
+        return delay;
     }
 
-    setupObserver() {
-        this.observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('scroll-animate-visible');
-                    this.observer.unobserve(entry.target);
-                }
-            });
-        }, this.observerOptions);
+    getThreshold(el) {
+        const threshold = parseFloat(el.dataset.animateThreshold);
+        return threshold >= 0 && threshold <= 1 ? threshold : this.observerOptions.threshold;
+    }
+
+    getObserver(threshold) {
+        if (!this.observers.has(threshold)) {
+            const observer = new IntersectionObserver((entries) => {
+                // Groups entering together (e.g. everything in view on load) continue one sequence in reading order
+                const targets = entries
+                    .filter(entry => entry.isIntersecting)
+                    .map(entry => entry.target)
+                    .sort(this.compareReadingOrder);
+                let delay = 0;
+
+                targets.forEach(target => {
+                    observer.unobserve(target);
+
+                    if (this.groups.has(target)) {
+                        delay = this.revealGroup(target, delay);
+                    }
+                    // A group can be animated itself
+                    if (this.animatedElements.includes(target)) {
+                        target.classList.add('scroll-animate-visible');
+                    }
+                });
+            }, { ...this.observerOptions, threshold });
+
+            this.observers.set(threshold, observer);
+        }
+
+        return this.observers.get(threshold);
     }
 
     observeElements() {
-        this.animatedElements.forEach(element => {
-            this.observer.observe(element);
+        const grouped = new Set([...this.groups.values()].flat());
+
+        // Grouped elements are revealed by their group's observer
+        this.animatedElements
+            .filter(element => !grouped.has(element))
+            .forEach(element => this.getObserver(this.getThreshold(element)).observe(element));
+
+        this.groups.forEach((members, group) => {
+            this.getObserver(this.getThreshold(group)).observe(group);
         });
     }
 
     // Public method to refresh animations (useful after page transitions)
     refresh() {
-        // Disconnect existing observer
-        if (this.observer) {
-            this.observer.disconnect();
-        }
+        // Disconnect existing observers
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers.clear();
 
         // Re-initialize
         this.init();
@@ -89,6 +231,10 @@ class ScrollAnimations {
 
     // Public method to immediately show all elements (useful for accessibility)
     showAll() {
+        // Nothing is left to reveal on scroll
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers.clear();
+
         this.animatedElements.forEach(element => {
             element.classList.add('scroll-animate-visible');
         });
@@ -116,10 +262,10 @@ document.addEventListener('page:loaded', () => {
     }
 });
 
-// Respect user's motion preferences
-if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-    // If user prefers reduced motion, show all elements immediately
-    if (scrollAnimations) {
+// Respect user's motion preferences, including changes while the page is open
+document.addEventListener('motion:change', (e) => {
+    // Revealed elements stay revealed when full motion comes back
+    if (e.detail.reduced && scrollAnimations) {
         scrollAnimations.showAll();
     }
-}
+});
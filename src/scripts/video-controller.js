@@ -0,0 +1,84 @@
+// ============================================
+// AUTOPLAY VIDEO CONTROLLER
+// ============================================
+// Plays autoplaying loops (motion reels, converted GIFs) only while they're on screen
+// The shortcodes mark them data-autoplay rather than autoplay, so nothing plays before this decides
+// Under prefers-reduced-motion, videos stay paused on their poster with controls to opt in
+// (converted GIFs stay paused without controls: they're marked up as images, or hidden)
+
+let videoObserver = null;
+
+// The current page's autoplaying videos
+let videos = [];
+
+// Same pattern as createVisibilityObserver in case-study-animations.js, for <video> elements
+const createVideoObserver = (threshold = 0.1) => {
+    return new IntersectionObserver(
+        (entries) => {
+            entries.forEach((entry) => {
+                const video = entry.target;
+                if (entry.isIntersecting && video.paused) {
+                    // play() rejects if the browser blocks autoplay; the poster stays up
+                    video.play().catch(() => {});
+                } else if (!entry.isIntersecting && !video.paused) {
+                    video.pause();
+                }
+            });
+        },
+        { threshold, rootMargin: '50px' }
+    );
+};
+
+// Disconnect the observer from the previous page's videos
+function destroyVideoController() {
+    if (videoObserver) {
+        videoObserver.disconnect();
+        videoObserver = null;
+    }
+}
+
+// Play on screen, or wait paused with controls, depending on the current motion preference
+function applyMotionPreference() {
+    destroyVideoController();
+
+    if (videos.length === 0) {
+        return;
+    }
+
+    const { reduced } = window.motionPreference;
+
+    if (!reduced) {
+        videoObserver = createVideoObserver();
+    }
+
+    videos.forEach((video) => {
+        // Controls inside an aria-hidden or role="img" element can't be reached properly
+        video.controls = reduced && !video.classList.contains('gifVideo');
+
+        if (reduced) {
+            video.pause();
+        } else {
+            videoObserver.observe(video);
+        }
+    });
+}
+
+// Main initialization function (called on page load and page transitions)
+function initializeVideoController() {
+    videos = Array.from(document.querySelectorAll('video[data-autoplay]'));
+    applyMotionPreference();
+}
+
+// Initialize on initial page load right away: this script sits after main, so the videos are
+// already parsed, and DOMContentLoaded waits for the p5 download below it
+initializeVideoController();
+
+// Tear down before page transitions replace the DOM, re-initialize once the new page is in
+document.addEventListener('page:swap', () => {
+    destroyVideoController();
+    videos = [];
+});
+document.addEventListener('page:loaded', initializeVideoController);
+
+// Reduced motion switched on or off while the page is open
+document.addEventListener('motion:change', applyMotionPreference);
@@ -0,0 +1,130 @@
+// video-config.js
+// Shared video settings for optimize-videos.js and the responsiveVideo shortcode
+const path = require('path');
+
+const sourceDir = './src/assets';
+const outputDir = './dist/assets';
+
+// Written by optimize-videos.js, read by the responsiveVideo shortcode
+const manifestPath = './.cache/video-manifest.json';
+
+// Renditions smallest first. Each one is served below its media query, the largest everywhere else
+// Widths above the source width collapse to the source width (videos are never upscaled)
+const renditions = [
+    { width: 640, media: '(max-width: 767px)' },
+    { width: 1280, media: '(max-width: 1439px)' },
+    { width: 1920 },
+];
+
+// Preferred format first; the browser plays the first <source> it supports
+// For AV1 instead of VP9: ['-c:v', 'libaom-av1', '-crf', '34', '-b:v', '0', '-cpu-used', '6']
+// with type 'video/webm; codecs="av01.0.05M.08"' (much slower to encode)
+const formats = [
+    {
+        format: 'webm',
+        type: 'video/webm; codecs="vp9"',
+        args: [
+            '-c:v',
+            'libvpx-vp9',
+            '-crf',
+            '34',
+            '-b:v',
+            '0',
+            '-deadline',
+            'good',
+            '-cpu-used',
+            '2',
+            '-row-mt',
+            '1',
+        ],
+    },
+    {
+        format: 'mp4',
+        type: 'video/mp4',
+        args: [
+            '-c:v',
+            'libx264',
+            '-crf',
+            '23',
+            '-preset',
+            'slow',
+            '-pix_fmt',
+            'yuv420p',
+            '-movflags',
+            '+faststart',
+        ],
+    },
+];
+
+// Poster frame: seconds into the clip, and ffmpeg -q:v (2 best – 31 worst)
+const poster = {
+    time: 0,
+    quality: 3,
+};
+
+// Every video on the site autoplays muted, so audio tracks are dropped
+const stripAudio = true;
+
+// Animated GIFs are converted to the same renditions and served as looping video
+// Folders (relative to sourceDir) listed here stay GIFs, e.g. transparent artwork (video has no alpha)
+const gifExcludedFolders = ['brand/orosa/stickers'];
+
+function isConvertibleGif(src) {
+    const relativeDir = path.dirname(path.relative(sourceDir, src)).split(path.sep).join('/');
+
+    return !gifExcludedFolders.some(
+        (folder) => relativeDir === folder || relativeDir.startsWith(`${folder}/`)
+    );
+}
+
+// Rendition widths for a source, mirroring eleventy-img's handling of widths above the original
+function getRenditions(sourceWidth) {
+    const valid = [];
+    // yuv420p needs even dimensions (GIFs are often odd sizes)
+    const maxWidth = sourceWidth - (sourceWidth % 2);
+
+    for (const rendition of renditions) {
+        if (rendition.width < maxWidth) {
+            valid.push(rendition);
+        } else {
+            valid.push({ ...rendition, width: maxWidth });
+            break;
+        }
+    }
+
+    return valid;
+}
+
+// e.g. /assets/motion/SummerWorks_motion_1-1280w.webm and dist/assets/motion/...
+function getOutputPaths(videoPath, filename) {
+    const relativeDir = path.dirname(path.relative(sourceDir, videoPath));
+
+    return {
+        outputPath: path.join(outputDir, relativeDir, filename),
+        url: path.posix.join('/assets', relativeDir.split(path.sep).join('/'), filename),
+    };
+}
+
+function getRenditionName(videoPath, width, format) {
+    return `${path.basename(videoPath, path.extname(videoPath))}-${width}w.${format}`;
+}
+
+function getPosterName(videoPath) {
+    return `${path.basename(videoPath, path.extname(videoPath))}-poster.jpg`;
+}
+
+module.exports = {
+    sourceDir,
+    outputDir,
+    manifestPath,
+    renditions,
+    formats,
+    poster,
+    stripAudio,
+    gifExcludedFolders,
+    isConvertibleGif,
+    getRenditions,
+    getOutputPaths,
+    getRenditionName,
+    getPosterName,
+};